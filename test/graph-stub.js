@@ -0,0 +1,31 @@
+// A local stand-in for the Graph API: answers each request with the next scripted response and records
+// what was sent. GRAPH_API_BASE is pointed at it before server.js is loaded.
+const http = require("node:http");
+
+async function startGraphStub() {
+  const requests = [];
+  const script = [];
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (c) => { raw += c; });
+    req.on("end", () => {
+      let body = null;
+      try { body = JSON.parse(raw); } catch (_) {}
+      requests.push({ method: req.method, path: req.url, authorization: req.headers.authorization, body });
+      const next = script.shift() || { status: 200, body: { messages: [{ id: "wamid.stub" + requests.length }] } };
+      res.writeHead(next.status, { "Content-Type": "application/json", ...(next.headers || {}) });
+      res.end(JSON.stringify(next.body || {}));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const base = "http://127.0.0.1:" + server.address().port + "/v20.0";
+  return {
+    base,
+    requests,
+    // Queues responses for the next requests, in order ({ status, body?, headers? }).
+    respond(...list) { script.push(...list); },
+    close() { return new Promise((resolve) => server.close(resolve)); }
+  };
+}
+
+module.exports = { startGraphStub };
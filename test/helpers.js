@@ -0,0 +1,38 @@
+// Loads server.js without PostgreSQL or a WhatsApp account: placeholder env vars, and
+// pool.query (and pool.connect clients) answered by the current test's responder (unmatched queries get no rows).
+Object.assign(process.env, {
+  VERIFY_TOKEN: "test-verify",
+  WA_TOKEN: "test-token",
+  PHONE_NUMBER_ID: "100000000000001",
+  DATABASE_URL: "postgres://test@127.0.0.1:1/test",
+  SESSION_SECRET: "test-secret",
+  COOKIE_SECURE: "0"
+});
+
+// server.js logs every webhook and ticket step on stdout, which the test runner reads as its report stream.
+console.log = () => {};
+const server = require("../server.js");
+
+const queries = [];
+let responder = null;
+server.pool.query = async (sql, params) => {
+  const text = String(sql?.text || sql);
+  queries.push({ text, params: params || [] });
+  const r = responder ? await responder(text, params || []) : null;
+  return r || { rows: [], rowCount: 0 };
+};
+// Transactions run on the same responder (BEGIN/COMMIT/ROLLBACK show up in the query log).
+server.pool.connect = async () => ({ query: server.pool.query, release() {} });
+
+// Installs fn(sql, params) as the database for the next calls and clears the query log.
+function onQuery(fn) {
+  responder = fn;
+  queries.length = 0;
+  return queries;
+}
+
+function fixture(name) {
+  return require("./fixtures/" + name);
+}
+
+module.exports = { server, onQuery, queries, fixture };
@@ -0,0 +1,125 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startGraphStub } = require("./graph-stub");
+
+let graph;
+let server;
+let onQuery;
+
+test.before(async () => {
+  graph = await startGraphStub();
+  process.env.GRAPH_API_BASE = graph.base;
+  ({ server, onQuery } = require("./helpers"));
+});
+test.after(() => graph.close());
+
+const row = (over = {}) => ({
+  id: 11, message_id: 501, ticket_id: 7, wa_id: "4915112345678", kind: "text",
+  payload: { text: "Your replacement battery ships today." }, attempts: 1, phone_number_id: null, ...over
+});
+
+// Hands `claimed` to the worker once and returns the queue/message updates it made.
+async function runWorker(claimed) {
+  let pending = [claimed];
+  const queries = onQuery((sql) => {
+    if (/SET status='sending'/.test(sql)) return { rows: pending.shift() || [] };
+    if (/UPDATE outbound_queue SET status='queued'/.test(sql)) return { rows: [] };
+    return null;
+  });
+  graph.requests.length = 0;
+  await server.outboundWorker();
+  return {
+    queue: queries.filter(q => /^UPDATE outbound_queue SET status='(sent|queued|failed)'/.test(q.text)),
+    audits: queries.filter(q => /INSERT INTO audit_events/.test(q.text)),
+    answered: queries.filter(q => /first_response_at=COALESCE/.test(q.text))
+  };
+}
+const statusOf = (q) => q.text.match(/status='(\w+)'/)[1];
+
+test("sends through GRAPH_API_BASE and marks the row sent with the wamid", async () => {
+  graph.respond({ status: 200, body: { messaging_product: "whatsapp", messages: [{ id: "wamid.HBgNNDkxNTExMjM0NTY3OBUCABEYEjA1" }] } });
+  const { queue } = await runWorker([row()]);
+  assert.equal(graph.requests.length, 1);
+  assert.equal(graph.requests[0].path, "/v20.0/100000000000001/messages");
+  assert.equal(graph.requests[0].authorization, "Bearer test-token");
+  assert.deepEqual(graph.requests[0].body.text, { body: "Your replacement battery ships today." });
+  assert.equal(queue.length, 1);
+  assert.equal(statusOf(queue[0]), "sent");
+  assert.deepEqual(queue[0].params, [11, "wamid.HBgNNDkxNTExMjM0NTY3OBUCABEYEjA1"]);
+});
+
+test("requeues a 5xx with exponential backoff", async () => {
+  for (const attempts of [1, 3]) {
+    graph.respond({ status: 503, body: { error: { message: "Service temporarily unavailable", type: "OAuthException", code: 2 } } });
+    const { queue, audits } = await runWorker([row({ attempts })]);
+    assert.equal(statusOf(queue[0]), "queued");
+    const [, delayMs, httpStatus, code] = queue[0].params;
+    const expected = 15000 * 2 ** (attempts - 1);
+    assert.ok(delayMs >= expected * 0.8 && delayMs <= expected * 1.2, "backoff " + delayMs + " for attempt " + attempts);
+    assert.equal(httpStatus, 503);
+    assert.equal(code, 2);
+    assert.equal(audits.length, 0);
+  }
+});
+
+test("honours retry-after on 429", async () => {
+  graph.respond({ status: 429, headers: { "retry-after": "120" }, body: { error: { message: "(#130429) Rate limit hit", code: 130429 } } });
+  const { queue } = await runWorker([row()]);
+  assert.equal(statusOf(queue[0]), "queued");
+  assert.equal(queue[0].params[1] >= 120000, true);
+  assert.equal(queue[0].params[2], 429);
+});
+
+test("retries a 400 that carries a temporary Meta error code", async () => {
+  graph.respond({ status: 400, body: { error: { message: "(#131056) Pair rate limit hit", code: 131056 } } });
+  const { queue } = await runWorker([row()]);
+  assert.equal(statusOf(queue[0]), "queued");
+});
+
+test("fails a permanent 4xx without retrying and audits it", async () => {
+  graph.respond({ status: 400, body: { error: { message: "(#131026) Message undeliverable", code: 131026, error_data: { details: "Receiver is incapable of receiving this message" } } } });
+  const { queue, audits } = await runWorker([row()]);
+  assert.equal(graph.requests.length, 1);
+  assert.equal(queue.length, 1);
+  assert.equal(statusOf(queue[0]), "failed");
+  assert.equal(queue[0].params[1], 400);
+  assert.equal(queue[0].params[2], 131026);
+  assert.equal(audits.length, 1);
+  assert.equal(audits[0].params.includes("message.send_failed"), true);
+});
+
+test("counts an agent reply as the first response only once Graph accepts it", async () => {
+  graph.respond({ status: 400, body: { error: { message: "(#131026) Message undeliverable", code: 131026 } } });
+  assert.equal((await runWorker([row({ created_by: "anna" })])).answered.length, 0);
+
+  graph.respond({ status: 200, body: { messages: [{ id: "wamid.HBgNNDkxNTExMjM0NTY3OBUCABEYEjA2" }] } });
+  assert.equal((await runWorker([row()])).answered.length, 0, "system messages do not answer the ticket");
+
+  graph.respond({ status: 200, body: { messages: [{ id: "wamid.HBgNNDkxNTExMjM0NTY3OBUCABEYEjA3" }] } });
+  const { answered } = await runWorker([row({ created_by: "anna" })]);
+  assert.equal(answered.length, 1);
+  assert.deepEqual(answered[0].params, [7]);
+});
+
+test("gives up on a retryable error once the attempts run out", async () => {
+  graph.respond({ status: 500, body: { error: { message: "Unknown error", code: 1 } } });
+  const { queue } = await runWorker([row({ attempts: 8 })]);
+  assert.equal(statusOf(queue[0]), "failed");
+  assert.equal(queue[0].params[1], 500);
+});
+
+test("falls back to the text version of a rejected interactive message", async () => {
+  graph.respond({ status: 400, body: { error: { message: "(#131009) Parameter value is not valid", code: 131009 } } });
+  const interactive = { type: "button", body: { text: "Choose" }, action: { buttons: [{ type: "reply", reply: { id: "dept:presales", title: "Sales" } }] } };
+  const { queue } = await runWorker([row({ kind: "interactive", payload: { interactive, fallback_text: "1 Sales" } })]);
+  assert.deepEqual(graph.requests.map(r => r.body.type), ["interactive", "text"]);
+  assert.deepEqual(graph.requests[1].body.text, { body: "1 Sales" });
+  assert.equal(statusOf(queue[0]), "sent");
+});
+
+test("does not fall back to text while the interactive send is only throttled", async () => {
+  graph.respond({ status: 503, body: {} });
+  const { queue } = await runWorker([row({ kind: "interactive", payload: { interactive: { type: "button" }, fallback_text: "1 Sales" } })]);
+  assert.equal(graph.requests.length, 1);
+  assert.equal(statusOf(queue[0]), "queued");
+});
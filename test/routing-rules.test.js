@@ -0,0 +1,49 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { server, onQuery } = require("./helpers");
+const { loadDepartments, parseRoutingRule, loadRoutingRules, evaluateRoutingRules } = server;
+
+test.before(async () => {
+  onQuery((sql) => (/FROM departments/.test(sql) ? { rows: [{ key: "presales", active: true }, { key: "aftersales", active: true }, { key: "b2b", active: false }] } : null));
+  await loadDepartments();
+});
+
+const rule = (match_regex) => parseRoutingRule({ name: "r", target_dept: "presales", match_regex });
+
+test("accepts ordinary patterns", () => {
+  for (const re of ["^order\\s*#?\\d+", "(invoice|receipt) ?\\d{4,}", "(?:vg|voltgo)-\\d+", "[(+*]{2}", "\\(a+\\)+", "[a|b]+x", "(yes|no)? ?\\d+"]) {
+    assert.equal(rule(re).error, undefined, re);
+    assert.equal(rule(re).rule.match_regex, re);
+  }
+});
+
+test("rejects nested quantifiers, over-long and invalid patterns", () => {
+  for (const re of ["(a+)+", "(\\w*\\s?)*$", "((ab)*c)+", "(x+){2,}", "(?:\\d+,?){3,}", "(a|a)+$", "(\\w|\\d)+$", "((a|ab)c)*$"]) {
+    assert.match(rule(re).error, /nested quantifier/, re);
+  }
+  assert.match(rule("a".repeat(301)).error, /longer than 300/);
+  assert.match(rule("(unclosed").error, /invalid regex/);
+});
+
+test("only targets active departments", () => {
+  assert.equal(parseRoutingRule({ name: "r", target_dept: "aftersales" }).error, undefined);
+  assert.match(parseRoutingRule({ name: "r", target_dept: "b2b" }).error, /inactive target department: b2b/);
+  assert.match(parseRoutingRule({ name: "r", target_dept: "billing" }).error, /inactive target department: billing/);
+});
+
+test("compiles each rule's regex once per load and skips stored patterns that fail the check", async () => {
+  const stored = [
+    { id: 1, name: "unsafe", enabled: true, priority: 1, match_regex: "(a+)+$", match_keywords: [], match_msg_types: [], target_dept: "aftersales" },
+    { id: 2, name: "orders", enabled: true, priority: 2, match_regex: "^order\\s*#?\\d+", match_keywords: [], match_msg_types: [], target_dept: "presales" }
+  ];
+  const queries = onQuery((sql) => (/FROM routing_rules/.test(sql) ? { rows: stored } : null));
+  const rules = await loadRoutingRules();
+  assert.equal(rules[0].regex, false);
+  assert.ok(rules[1].regex instanceof RegExp);
+  assert.equal(await loadRoutingRules(), rules);
+
+  const input = (text) => ({ text, msg_type: "text", language: "en", customer_tags: [] });
+  assert.equal((await evaluateRoutingRules(input("Order #1234"))).id, 2);
+  assert.equal(await evaluateRoutingRules(input("a".repeat(40) + "!")), null);
+  assert.equal(queries.filter(q => /FROM routing_rules/.test(q.text)).length, 1);
+});
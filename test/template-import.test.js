@@ -0,0 +1,76 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { server, fixture } = require("./helpers");
+const { parseTemplateExport } = server;
+
+const exported = fixture("templates-export.json");
+const find = (rows, name, language) => rows.find(r => r.name === name && r.language === language);
+
+test("reads header and body parameters with their examples", () => {
+  const { rows } = parseTemplateExport(exported);
+  const t = find(rows, "order_shipped", "en_US");
+  assert.equal(t.header_text, "Order {{1}} is on its way");
+  assert.equal(t.body_text, "Hi {{1}}, your Voltgo order {{2}} shipped with {{3}}.");
+  assert.equal(t.footer_text, "Voltgo Support");
+  assert.equal(t.wa_template_id, "1184729036512345");
+  assert.deepEqual(t.examples, [
+    { component: "header", index: 1, example: "VG-10422" },
+    { component: "body", index: 1, example: "Anna" },
+    { component: "body", index: 2, example: "VG-10422" },
+    { component: "body", index: 3, example: "DHL" }
+  ]);
+  const pt = find(rows, "order_shipped", "pt_BR");
+  assert.equal(pt.header_text, null);
+  assert.deepEqual(pt.examples, []);
+});
+
+test("keeps one row per language of the same template", () => {
+  const { rows } = parseTemplateExport(exported);
+  assert.deepEqual(rows.filter(r => r.name === "order_shipped").map(r => r.language), ["en_US", "de", "pt_BR"]);
+  assert.equal(find(rows, "order_shipped", "de").body_text, "Hallo {{1}}, Ihre Bestellung {{2}} ist unterwegs.");
+});
+
+test("keeps rejected and paused statuses and defaults unknown status and category", () => {
+  const { rows } = parseTemplateExport(exported);
+  assert.equal(find(rows, "spring_promo", "en_GB").status, "REJECTED");
+  assert.equal(find(rows, "spring_promo", "en_GB").category, "MARKETING");
+  assert.equal(find(rows, "order_shipped", "pt_BR").status, "PAUSED");
+  const otp = find(rows, "login_code", "en_US");
+  assert.equal(otp.status, "PENDING");
+  assert.equal(otp.category, "UTILITY");
+});
+
+test("skips media headers and reports why", () => {
+  const { rows, skipped } = parseTemplateExport(exported);
+  assert.equal(find(rows, "warranty_card", "en_US"), undefined);
+  assert.deepEqual(skipped, [{ name: "warranty_card", language: "en_US", reason: "media header (IMAGE) not supported" }]);
+});
+
+test("accepts a bare array", () => {
+  const { rows } = parseTemplateExport(exported.data.slice(0, 2));
+  assert.equal(rows.length, 2);
+});
+
+test("skips entries without a usable name, language or body", () => {
+  const { rows, skipped } = parseTemplateExport([
+    null,
+    { name: "Order Shipped", language: "en_US", components: [{ type: "BODY", text: "x" }] },
+    { name: "order_shipped", language: "english", components: [{ type: "BODY", text: "x" }] },
+    { name: "no_body", language: "en", components: [{ type: "FOOTER", text: "x" }] },
+    { name: "no_components", language: "en" }
+  ]);
+  assert.deepEqual(rows, []);
+  assert.deepEqual(skipped.map(s => s.reason), [
+    "invalid name or language",
+    "invalid name or language",
+    "invalid name or language",
+    "no BODY component",
+    "no BODY component"
+  ]);
+});
+
+test("rejects input that is not a template list", () => {
+  for (const bad of [null, undefined, "order_shipped", 42, {}, { data: "x" }, { paging: {} }]) {
+    assert.throws(() => parseTemplateExport(bad), /expected an array of templates/);
+  }
+});
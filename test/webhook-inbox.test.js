@@ -0,0 +1,51 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("node:crypto");
+const { server, onQuery } = require("./helpers");
+
+let http;
+let base;
+test.before(async () => {
+  http = server.app.listen(0, "127.0.0.1");
+  await new Promise((resolve) => http.once("listening", resolve));
+  base = "http://127.0.0.1:" + http.address().port;
+});
+test.after(() => new Promise((resolve) => http.close(resolve)));
+
+const delivery = {
+  object: "whatsapp_business_account",
+  entry: [{ id: "102290129340398", changes: [{ field: "messages", value: {
+    messaging_product: "whatsapp",
+    metadata: { display_phone_number: "15550783881", phone_number_id: "100000000000001" },
+    statuses: [{ id: "wamid.HBgLMTY1MDM4Nzk0MzkVAgARGBI3", status: "delivered", timestamp: "1750263773", recipient_id: "16505551234" }]
+  } }] }]
+};
+const post = (body) => fetch(base + "/webhook", { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) });
+
+test("stores a delivery with the hash of its body and skips a redelivery of the same body", async () => {
+  const seen = new Set();
+  const queries = onQuery((sql, params) => {
+    if (!/INSERT INTO webhook_inbox/.test(sql)) return { rows: [] };
+    if (seen.has(params[1])) return { rows: [] };
+    seen.add(params[1]);
+    return { rows: [{ id: 1 }] };
+  });
+  for (let i = 0; i < 2; i++) assert.equal((await post(delivery)).status, 200);
+
+  const inserts = queries.filter(q => /INSERT INTO webhook_inbox/.test(q.text));
+  assert.equal(inserts.length, 2);
+  assert.match(inserts[0].text, /ON CONFLICT \(payload_hash\) DO NOTHING/);
+  assert.equal(inserts[0].params[1], crypto.createHash("sha256").update(JSON.stringify(delivery)).digest("hex"));
+  assert.equal(inserts[1].params[1], inserts[0].params[1]);
+});
+
+test("answers 500 when the delivery cannot be stored, so Meta redelivers it", async () => {
+  onQuery((sql) => { if (/INSERT INTO webhook_inbox/.test(sql)) throw new Error("connection terminated"); });
+  const origError = console.error;
+  console.error = () => {};
+  try {
+    assert.equal((await post(delivery)).status, 500);
+  } finally {
+    console.error = origError;
+  }
+});
@@ -0,0 +1,215 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startGraphStub } = require("./graph-stub");
+
+let graph;
+let onQuery;
+let fixture;
+let processWebhookPayload;
+let processWebhookChange;
+let contactNameResolver;
+
+// Media downloads go to the Graph stub.
+test.before(async () => {
+  graph = await startGraphStub();
+  process.env.GRAPH_API_BASE = graph.base;
+  let server;
+  ({ server, onQuery, fixture } = require("./helpers"));
+  ({ processWebhookPayload, processWebhookChange, contactNameResolver } = server);
+});
+test.after(() => graph.close());
+
+// A customer who already has an open aftersales ticket (id 70), so no routing, menu or AI call is involved;
+// messages are stored through ticket_id only. `known` lists stored messages as { wa_message_id, wa_id, row };
+// `earlier` lists incoming messages a previous attempt stored, as { wa_message_id, row }.
+// Returns what the processing wrote, in order.
+function inboundDb(known = [], earlier = []) {
+  const columns = new Set(["tickets.dept", "tickets.status", "tickets.tags", "tickets.assignee", "messages.ticket_id"]);
+  const stored = { messages: [], names: [], statuses: [], other: [] };
+  let nextId = 1000;
+  onQuery((sql, params) => {
+    if (/information_schema\.columns/.test(sql)) return { rows: columns.has(params[0] + "." + params[1]) ? [{}] : [] };
+    if (/^SELECT id, ticket_id, conversation_id, dept FROM messages WHERE wa_message_id=\$1 AND wa_id=\$2/.test(sql)) {
+      const hit = known.find(k => k.wa_message_id === params[0] && k.wa_id === params[1]);
+      return { rows: hit ? [hit.row] : [] };
+    }
+    if (/^SELECT m\.msg_type, m\.ticket_id, m\.conversation_id, t\.dept, .* FROM messages m LEFT JOIN tickets t/.test(sql)) {
+      const hit = earlier.find(e => e.wa_message_id === params[0]);
+      return { rows: hit ? [hit.row] : [] };
+    }
+    if (/^SELECT dept FROM tickets WHERE wa_id=\$1 AND status IN/.test(sql)) return { rows: [{ dept: "aftersales" }] };
+    if (/^SELECT id FROM tickets WHERE wa_id=\$1 AND dept=\$2 AND status IN/.test(sql)) return { rows: [{ id: 70 }] };
+    if (/^INSERT INTO messages\(/.test(sql)) {
+      const cols = sql.match(/^INSERT INTO messages\(([^)]*)\)/)[1].split(", ");
+      stored.messages.push(Object.fromEntries(cols.map((c, i) => [c, params[i]])));
+      return { rows: [{ id: nextId++ }] };
+    }
+    if (/^UPDATE customers SET name=/.test(sql)) stored.names.push({ wa_id: params[0], name: params[1] });
+    else if (/^INSERT INTO message_statuses/.test(sql)) stored.statuses.push({ wa_message_id: params[0], status: params[1], error_code: params[4] });
+    else stored.other.push(sql);
+    return null;
+  });
+  return stored;
+}
+const brief = (m) => ({ wa_id: m.wa_id, phone_number_id: m.phone_number_id, text: m.text });
+
+test("processes every entry of a batched delivery, each on its own business number", async () => {
+  const stored = inboundDb();
+  await processWebhookPayload(fixture("webhooks/multiple-entries.json"));
+  assert.deepEqual(stored.messages.map(brief), [
+    { wa_id: "4915112345678", phone_number_id: "106540352242922", text: "My scooter battery will not charge" },
+    { wa_id: "13125550199", phone_number_id: "117700223344556", text: "Do you ship to Chicago?" }
+  ]);
+  assert.deepEqual(stored.names, [
+    { wa_id: "4915112345678", name: "Jonas Weber" },
+    { wa_id: "13125550199", name: "Maria Lopez" }
+  ]);
+  assert.ok(stored.messages.every(m => m.ticket_id === 70 && m.direction === "incoming"));
+});
+
+test("processes every messages change in order and skips other fields", async () => {
+  const stored = inboundDb();
+  await processWebhookPayload(fixture("webhooks/multiple-changes.json"));
+  assert.deepEqual(stored.messages.map(m => m.text), ["Order VG-10422", "It arrived with a cracked deck"]);
+  assert.deepEqual(stored.statuses, [{ wa_message_id: "wamid.HBgNNDkxNTExMjM0NTY3OBUCABEYEjRCNkU3RjU5QUMxQjJFMDg1NgA=", status: "read", error_code: null }]);
+  assert.equal(stored.other.some(sql => /template|account/i.test(sql)), false);
+});
+
+test("records statuses-only deliveries without touching customers or tickets", async () => {
+  const stored = inboundDb();
+  await processWebhookPayload(fixture("webhooks/statuses-only.json"));
+  assert.deepEqual(stored.statuses.map(s => [s.status, s.error_code]), [["sent", null], ["delivered", null], ["failed", 131047]]);
+  assert.deepEqual(stored.messages, []);
+  assert.deepEqual(stored.names, []);
+  assert.equal(stored.other.some(sql => /customers|tickets/.test(sql)), false);
+});
+
+test("names a sender whose wa_id differs from the only contact, but not among several contacts", async () => {
+  const stored = inboundDb();
+  await processWebhookPayload(fixture("webhooks/contacts-mismatch.json"));
+  assert.deepEqual(stored.messages.map(m => m.wa_id), ["551187654321", "4915112345678", "552198765432"]);
+  assert.deepEqual(stored.names, [
+    { wa_id: "551187654321", name: "Ana Souza" },
+    { wa_id: "4915112345678", name: "Jonas Weber" }
+  ]);
+});
+
+test("keeps the receiving number of each change when one delivery covers two numbers", async () => {
+  const stored = inboundDb();
+  await processWebhookPayload(fixture("webhooks/two-numbers.json"));
+  assert.deepEqual(stored.messages.map(m => m.phone_number_id), ["106540352242922", "106540352242933"]);
+});
+
+test("processWebhookChange tolerates a value without metadata, contacts or messages", async () => {
+  const stored = inboundDb();
+  await processWebhookChange({});
+  await processWebhookPayload({ object: "whatsapp_business_account" });
+  await processWebhookPayload({ entry: [{ id: "1" }, { changes: null }] });
+  assert.deepEqual(stored.messages, []);
+});
+
+test("contactNameResolver matches by wa_id and falls back to a single contact for a single sender", () => {
+  const contact = (wa_id, name) => ({ profile: { name }, wa_id });
+  const from = (...ids) => ids.map(id => ({ from: id }));
+
+  const byId = contactNameResolver([contact("4915112345678", "Jonas"), contact("13125550199", "Maria")], from("4915112345678", "13125550199"));
+  assert.equal(byId("13125550199"), "Maria");
+  assert.equal(byId("4915112345678"), "Jonas");
+
+  const single = contactNameResolver([contact("5511987654321", "Ana")], from("551187654321", "551187654321"));
+  assert.equal(single("551187654321"), "Ana");
+
+  const twoSenders = contactNameResolver([contact("5511987654321", "Ana")], from("551187654321", "4915112345678"));
+  assert.equal(twoSenders("551187654321"), "");
+
+  assert.equal(contactNameResolver([], from("4915112345678"))("4915112345678"), "");
+  assert.equal(contactNameResolver([{ wa_id: "4915112345678" }], from("4915112345678"))("4915112345678"), "");
+});
+
+const reactionTo = (from, target, emoji) => ({
+  object: "whatsapp_business_account",
+  entry: [{ id: "102290129340398", changes: [{ field: "messages", value: {
+    messaging_product: "whatsapp",
+    metadata: { display_phone_number: "4930120000001", phone_number_id: "106540352242922" },
+    contacts: [{ profile: { name: "Jonas Weber" }, wa_id: from }],
+    messages: [{ from, id: "wamid.reaction." + from, timestamp: "1750262800", type: "reaction", reaction: { message_id: target, emoji } }]
+  } }] }]
+});
+const agentReply = { wa_message_id: "wamid.HBgNNDkxNTExMjM0NTY3OBUCABEYEjQ0QUJDMTIzNDU2Nzg5MEFCAA==", wa_id: "4915112345678", row: { id: 880, ticket_id: 55, conversation_id: null, dept: "presales" } };
+
+test("stores a reaction on the ticket of the customer's own reacted-to message only", async () => {
+  const stored = inboundDb([agentReply]);
+  await processWebhookPayload(reactionTo("4915112345678", agentReply.wa_message_id, "👍"));
+  assert.equal(stored.messages.length, 1);
+  assert.equal(stored.messages[0].ticket_id, 55);
+  assert.equal(stored.messages[0].msg_type, "reaction");
+  assert.equal(stored.messages[0].reply_to_id, 880);
+  assert.equal(stored.other.some(sql => /^(INSERT INTO customers|UPDATE tickets|INSERT INTO tickets)/.test(sql)), false);
+});
+
+test("drops a reaction whose target is unknown or belongs to another customer", async () => {
+  for (const [from, target] of [["4915112345678", "wamid.not-ours"], ["13125550199", agentReply.wa_message_id]]) {
+    const stored = inboundDb([agentReply]);
+    await processWebhookPayload(reactionTo(from, target, "❤️"));
+    assert.deepEqual(stored.messages, []);
+    assert.equal(stored.other.some(sql => /customers|tickets/.test(sql)), false, from);
+  }
+});
+
+test("links a quoted reply only to a message of the same customer", async () => {
+  const quoting = (from) => {
+    const body = fixture("webhooks/two-numbers.json");
+    const change = structuredClone(body.entry[0].changes[0]);
+    change.value.messages[0] = { ...change.value.messages[0], from, id: "wamid.quote." + from, context: { from: "4930120000001", id: agentReply.wa_message_id } };
+    return { entry: [{ id: "102290129340398", changes: [change] }] };
+  };
+  let stored = inboundDb([agentReply]);
+  await processWebhookPayload(quoting("4915112345678"));
+  assert.equal(stored.messages[0].reply_to_id, 880);
+  assert.equal(stored.messages[0].context_wa_message_id, agentReply.wa_message_id);
+
+  stored = inboundDb([agentReply]);
+  await processWebhookPayload(quoting("13125550199"));
+  assert.equal(stored.messages[0].reply_to_id, undefined);
+  assert.equal(stored.messages[0].context_wa_message_id, agentReply.wa_message_id);
+});
+
+test("does not store or count a retried message again but reruns its follow-ups", async () => {
+  const body = fixture("webhooks/two-numbers.json");
+  const [first] = body.entry[0].changes[0].value.messages;
+  const stored = inboundDb([], [{ wa_message_id: first.id, row: { msg_type: "text", ticket_id: 70, conversation_id: null, dept: "aftersales", need_route: false } }]);
+  await processWebhookPayload(body);
+  assert.deepEqual(stored.messages.map(m => m.text), ["Wrong number, sorry - support please"]);
+  assert.equal(stored.other.filter(sql => /unread_count=COALESCE\(unread_count,0\)\+1/.test(sql)).length, 1);
+  // The SLA clock is looked at for both messages: the retried one may have failed before starting it.
+  assert.equal(stored.other.filter(sql => /^SELECT id, dept, COALESCE\(tags/.test(sql)).length, 2);
+});
+
+const imageFrom = (from, mediaId) => ({
+  object: "whatsapp_business_account",
+  entry: [{ id: "102290129340398", changes: [{ field: "messages", value: {
+    messaging_product: "whatsapp",
+    metadata: { display_phone_number: "4930120000001", phone_number_id: "106540352242922" },
+    contacts: [{ profile: { name: "Jonas Weber" }, wa_id: from }],
+    messages: [{ from, id: "wamid.image." + mediaId, timestamp: "1750262900", type: "image", image: { id: mediaId, mime_type: "image/jpeg", caption: "Cracked deck" } }]
+  } }] }]
+});
+
+test("stores a placeholder when Graph no longer has the media", async () => {
+  graph.respond({ status: 400, body: { error: { message: "(#100) Invalid parameter", type: "OAuthException", code: 100 } } });
+  const stored = inboundDb();
+  await processWebhookPayload(imageFrom("4915112345678", "1180493726549921"));
+  assert.equal(stored.messages.length, 1);
+  assert.equal(stored.messages[0].text, "[image not downloaded]");
+  assert.equal(stored.messages[0].caption, "Cracked deck");
+  assert.equal(JSON.parse(stored.messages[0].payload).media_id, "1180493726549921");
+});
+
+test("throws on a retryable media error so the delivery is retried", async () => {
+  for (const status of [429, 503]) {
+    graph.respond({ status, body: { error: { message: "Service temporarily unavailable", code: 2 } } });
+    const stored = inboundDb();
+    await assert.rejects(processWebhookPayload(imageFrom("4915112345678", "1180493726549922")), (e) => e.status === status);
+    assert.deepEqual(stored.messages, []);
+  }
+});